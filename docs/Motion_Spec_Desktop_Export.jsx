@@ -40,16 +40,95 @@ var DEBUG = {
     }
 };
 
-// Spring presets from the shared library
-var SPRING_PRESETS = {
-    "Standard Spring": { stiffness: 175, damping: 26.46, dampingRatio: 1, mass: 1 },
-    "Fast Spring": { stiffness: 300, damping: 34.64, dampingRatio: 1, mass: 1 },
-    "Slow Spring": { stiffness: 100, damping: 20, dampingRatio: 1, mass: 1 },
-    "Gentle Spring": { stiffness: 120, damping: 18, dampingRatio: 0.8, mass: 1 },
-    "Snappy Spring": { stiffness: 400, damping: 40, dampingRatio: 1, mass: 1 },
-    "Bouncy Spring": { stiffness: 200, damping: 12, dampingRatio: 0.6, mass: 1 }
+// Easing presets come from the preset library shared with SpectrumEditor.html. In order:
+// ~/Documents/MotionSpecs/presets.json (another team's library; the editor's Presets dialog
+// can download the one it's using), then presets/spectrum-presets.json next to this script's
+// folder, then the inline copy below (tools/check-presets.js checks it matches the file).
+var PRESET_LIBRARY_PATH = "/Documents/MotionSpecs/presets.json";
+var BUILT_IN_PRESET_LIBRARY_PATH = "/../presets/spectrum-presets.json";
+
+// Inline copy of presets/spectrum-presets.json, for when the script is run on its own
+var DEFAULT_PRESET_LIBRARY = {
+    name: "Spectrum",
+    version: 1,
+    curveTolerance: 0.15,
+    springs: [
+        { name: "Standard Spring", stiffness: 175, damping: 26, mass: 1, color: "#9fd4ff", link: "https://air.bb/standard-spring" },
+        { name: "Slow Spring", stiffness: 100, damping: 20, mass: 1, color: "#9fd4ff", link: "https://air.bb/slow-spring" },
+        { name: "Fast Spring", stiffness: 300, damping: 35, mass: 1, color: "#9fd4ff", link: "https://air.bb/fast-spring" },
+        { name: "Slow Bounce Spring", stiffness: 100, damping: 14, mass: 1, color: "#9fd4ff", link: "https://air.bb/slow-bounce-spring" },
+        { name: "Medium Bounce Spring", stiffness: 175, damping: 18.5, mass: 1, color: "#9fd4ff", link: "https://air.bb/medium-bounce-spring" },
+        { name: "Fast Bounce Spring", stiffness: 250, damping: 22, mass: 1, color: "#9fd4ff", link: "https://air.bb/fast-bounce-spring" },
+        { name: "Gentle Spring", stiffness: 120, damping: 18, mass: 1, color: "#9fd4ff" },
+        { name: "Snappy Spring", stiffness: 400, damping: 40, mass: 1, color: "#9fd4ff" },
+        { name: "Bouncy Spring", stiffness: 200, damping: 12, mass: 1, color: "#9fd4ff" }
+    ],
+    curves: [
+        { name: "Standard Curve", points: [0.2, 0, 0.2, 1], color: "#ffb38a", link: "https://air.bb/standard-curve" },
+        { name: "Enter Curve", points: [0.12, 0, 0.12, 1], color: "#ffb38a", link: "https://air.bb/enter-curve" },
+        { name: "Exit Curve", points: [0.33, 0, 0.5, 1], color: "#ffb38a", link: "https://air.bb/exit-curve" }
+    ]
 };
 
+// A usable library from the file, or null
+function readPresetLibraryFile(libraryFile) {
+    if (!libraryFile.exists) return null;
+
+    try {
+        libraryFile.encoding = "UTF-8";
+        libraryFile.open("r");
+        var library = JSON.parse(libraryFile.read());
+        libraryFile.close();
+        if (library && library.springs instanceof Array && library.springs.length > 0 && library.curves instanceof Array) {
+            DEBUG.log("Using preset library: " + library.name + " (" + libraryFile.fsName + ")");
+            return library;
+        }
+        DEBUG.log("Preset library has no springs or curves, skipping it", libraryFile.fsName);
+    } catch (error) {
+        DEBUG.error("Could not read preset library " + libraryFile.fsName, error);
+    }
+    return null;
+}
+
+function loadPresetLibrary() {
+    return readPresetLibraryFile(new File(Folder("~").fsName + PRESET_LIBRARY_PATH)) ||
+        readPresetLibraryFile(new File(File($.fileName).parent.fsName + BUILT_IN_PRESET_LIBRARY_PATH)) ||
+        DEFAULT_PRESET_LIBRARY;
+}
+
+// Spring presets by name: { stiffness, damping, dampingRatio, mass }
+function getSpringPresets(library) {
+    var presets = {};
+    for (var i = 0; i < library.springs.length; i++) {
+        var spring = library.springs[i];
+        var mass = spring.mass || 1;
+        presets[spring.name] = {
+            stiffness: spring.stiffness,
+            damping: spring.damping,
+            dampingRatio: Math.round(spring.damping / (2 * Math.sqrt(spring.stiffness * mass)) * 100) / 100,
+            mass: mass
+        };
+    }
+    return presets;
+}
+
+var PRESET_LIBRARY = loadPresetLibrary();
+var SPRING_PRESETS = getSpringPresets(PRESET_LIBRARY);
+
+// Name of the library curve within tolerance of [x1, y1, x2, y2], or null
+function matchCurvePreset(points) {
+    var tolerance = PRESET_LIBRARY.curveTolerance !== undefined ? PRESET_LIBRARY.curveTolerance : DEFAULT_PRESET_LIBRARY.curveTolerance;
+    for (var i = 0; i < PRESET_LIBRARY.curves.length; i++) {
+        var curve = PRESET_LIBRARY.curves[i];
+        var matches = true;
+        for (var j = 0; j < 4; j++) {
+            if (Math.abs(curve.points[j] - points[j]) > tolerance) matches = false;
+        }
+        if (matches) return curve.name;
+    }
+    return null;
+}
+
 // File-based communication functions
 function sendToFigmaViaFile(motionSpecData) {
     DEBUG.log("=== SENDING TO FIGMA VIA FILE ===");
@@ -249,6 +328,50 @@ function roundPx(pixels) {
     return Math.round(pixels); // Always returns integer
 }
 
+// Names for color properties, which After Effects mostly just calls "Color"
+var COLOR_PROPERTY_NAMES = {
+    "ADBE Vector Fill Color": "Fill Color",      // Shape fill
+    "ADBE Vector Stroke Color": "Stroke Color",  // Shape stroke
+    "ADBE Fill-0002": "Fill Color",              // Fill effect
+    "ADBE Text Fill Color": "Fill Color",        // Text animator
+    "ADBE Text Stroke Color": "Stroke Color"     // Text animator
+};
+
+function isColorProperty(prop) {
+    try {
+        if (prop.propertyValueType === PropertyValueType.COLOR) return true;
+    } catch (error) {
+        // Fall back to the known match names
+    }
+    return COLOR_PROPERTY_NAMES.hasOwnProperty(prop.matchName);
+}
+
+// Property name written to the spec. Color properties always end in "Color" so the
+// editor can tell them apart.
+function getPropertyDisplayName(prop) {
+    if (COLOR_PROPERTY_NAMES.hasOwnProperty(prop.matchName)) return COLOR_PROPERTY_NAMES[prop.matchName];
+    if (isColorProperty(prop) && prop.name.toLowerCase().indexOf("color") === -1) return prop.name + " Color";
+    return prop.name;
+}
+
+// After Effects colors are [r, g, b, a] in 0-1. Returns "#RRGGBB", or "rgba(r, g, b, a)"
+// when the color is partly transparent.
+function formatColorValue(color) {
+    var channels = [];
+    for (var i = 0; i < 3; i++) {
+        channels.push(Math.max(0, Math.min(255, Math.round(color[i] * 255))));
+    }
+    var alpha = color.length > 3 ? Math.round(color[3] * 100) / 100 : 1;
+    if (alpha < 1) return "rgba(" + channels.join(", ") + ", " + alpha + ")";
+
+    var hex = "#";
+    for (var j = 0; j < channels.length; j++) {
+        var part = channels[j].toString(16).toUpperCase();
+        hex += (part.length < 2 ? "0" : "") + part;
+    }
+    return hex;
+}
+
 // Sanitize layer names to remove problematic Unicode characters
 function sanitizeLayerName(layerName) {
     if (!layerName) return layerName;
@@ -574,7 +697,16 @@ function extractPropertyValues(prop, multiplier) {
     var endKey = selectedKeyframes[selectedKeyframes.length - 1];
 
     // Handle different property types
-    if (prop.name.indexOf("Position") !== -1) {
+    if (isColorProperty(prop)) {
+        // Color property - no numeric change, just the start and end colors
+        values.type = "color";
+        values.startValue = formatColorValue(startKey.value);
+        values.endValue = formatColorValue(endKey.value);
+        values.formatted = {
+            startValue: values.startValue,
+            endValue: values.endValue
+        };
+    } else if (prop.name.indexOf("Position") !== -1) {
         values.type = "position";
 
         // Check if this is a combined Position property (array) or split X/Y Position (single value)
@@ -1308,7 +1440,7 @@ function detectFitToShapeEffect(layer) {
 function extractAnimationData(layer, propInfo, comp, multiplier) {
     var prop = propInfo.property;
     var animationData = {
-        property: propInfo.name,
+        property: getPropertyDisplayName(prop),
         hasKeyframes: true,
         easing: { type: "linear", source: null },
         timing: { delay: 0, duration: 0 },
@@ -1415,6 +1547,8 @@ function extractAnimationData(layer, propInfo, comp, multiplier) {
                 cubicBezier: cubicBezier,
                 source: "keyframes"
             };
+            var curvePreset = matchCurvePreset(cubicBezier.match(/[0-9.]+/g));
+            if (curvePreset) animationData.easing.cubicBezierPreset = curvePreset;
         }
         // else: remains as default "linear"
     }
@@ -1630,6 +1764,20 @@ function buildMotionSpecData(comp, selectedLayers) {
                 }
             }
 
+            // Properties driven by an expression on another layer have no keyframes of their own;
+            // the editor shows them as rows that follow the source animation
+            var linkedAnimations = checkForLinkedAnimations(layer, comp);
+            if (linkedAnimations.length > 0) {
+                layerData.expressionLinks = [];
+                for (var linkIndex = 0; linkIndex < linkedAnimations.length; linkIndex++) {
+                    layerData.expressionLinks.push({
+                        property: linkedAnimations[linkIndex].targetProperty,
+                        sourceLayer: sanitizeLayerName(linkedAnimations[linkIndex].sourceLayer),
+                        sourceProperty: linkedAnimations[linkIndex].sourceProperty
+                    });
+                }
+            }
+
             // If layer has Fit to Shape but NO animations, create a placeholder animation entry
             if (fitToShapeData && layerData.animations.length === 0) {
                 DEBUG.log("Creating placeholder animation for Fit to Shape layer with no animated properties");
@@ -1699,8 +1847,8 @@ function buildMotionSpecData(comp, selectedLayers) {
                 }
             }
 
-            // Add layer if it has animations OR has Fit to Shape effect
-            if (layerData.animations.length > 0 || layerData.isFitToShape) {
+            // Add layer if it has animations, expression links OR has Fit to Shape effect
+            if (layerData.animations.length > 0 || layerData.expressionLinks || layerData.isFitToShape) {
                 // Hide layers that are parented and have "Mask" in their name (technical/matte layers)
                 var shouldHideLayer = false;
                 if (layer.parent && layer.name.toLowerCase().indexOf("mask") !== -1) {
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Check Presets
+ * Checks that the inline copies of the built-in preset library in SpectrumEditor.html and
+ * docs/Motion_Spec_Desktop_Export.jsx match presets/spectrum-presets.json. Both tools load
+ * the file when they can and fall back to their copy (the editor from file://, the exporter
+ * when run away from the repo), so the copies must be updated with it.
+ *
+ * Usage: node tools/check-presets.js
+ *
+ * Exits with 1 and lists the differing copies when they don't match.
+ * No dependencies: uses Node's built-in fs, path and vm modules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const LIBRARY_FILE = path.join(ROOT, 'presets', 'spectrum-presets.json');
+const INLINE_COPIES = [
+  { file: path.join(ROOT, 'SpectrumEditor.html'), pattern: /const DEFAULT_PRESET_LIBRARY = (\{[\s\S]*?\n\s*\});/ },
+  { file: path.join(ROOT, 'docs', 'Motion_Spec_Desktop_Export.jsx'), pattern: /var DEFAULT_PRESET_LIBRARY = (\{[\s\S]*?\n\});/ }
+];
+
+// JSON with sorted keys, so key order doesn't count as a difference
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function readInlineCopy({ file, pattern }) {
+  const match = fs.readFileSync(file, 'utf8').match(pattern);
+  if (!match) throw new Error('DEFAULT_PRESET_LIBRARY not found');
+  return vm.runInNewContext(`(${match[1]})`);
+}
+
+const expected = canonicalJson(JSON.parse(fs.readFileSync(LIBRARY_FILE, 'utf8')));
+let failed = false;
+INLINE_COPIES.forEach(copy => {
+  const name = path.relative(ROOT, copy.file);
+  try {
+    if (canonicalJson(readInlineCopy(copy)) === expected) {
+      console.log(`ok      ${name}`);
+    } else {
+      console.log(`differs ${name}: update its DEFAULT_PRESET_LIBRARY to match ${path.relative(ROOT, LIBRARY_FILE)}`);
+      failed = true;
+    }
+  } catch (err) {
+    console.log(`error   ${name}: ${err.message}`);
+    failed = true;
+  }
+});
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+/**
+ * Spec Bridge
+ * Watches the After Effects exporter's inbox and pushes each new spec to any open
+ * SpectrumEditor.html over a WebSocket. The editor asks whether to load it into the
+ * current tab or a new one.
+ *
+ * Usage: node tools/spec-bridge.js [--replay]
+ *
+ * Motion_Spec_Desktop_Export.jsx (sendToFigmaViaFile) writes motion_spec_<timestamp>.json
+ * files to ~/Documents/MotionSpecs/inbox. That inbox also feeds the Figma bridge, so files
+ * are only read, never moved. Only files that arrive after the bridge starts are sent;
+ * --replay also sends the ones already in the inbox that no earlier run sent. Sent names are
+ * kept in ~/Documents/MotionSpecs/.spec-bridge-state.json. Each file is checked for the basic
+ * spec shape, then sent. Specs that arrive while no editor is connected wait until one connects.
+ *
+ * Editors must pair: the bridge prints a pairing code when it starts, and an editor gets
+ * specs only after sending that code. Pages from other sites get a 403 before that, but
+ * any page can have Origin "null" (sandboxed iframes, data: URLs), so the code is what
+ * keeps them out. The code is kept in the state file, so it survives restarts.
+ *
+ * No dependencies: uses Node's built-in http, crypto and fs modules.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const BRIDGE_CONFIG = {
+  PORT: parseInt(process.env.SPEC_BRIDGE_PORT, 10) || 3031,
+  INBOX: process.env.SPEC_BRIDGE_INBOX || path.join(os.homedir(), 'Documents', 'MotionSpecs', 'inbox'),
+  // The exporter writes each file in one go; wait for the watcher to go quiet before reading
+  SETTLE_MS: 250,
+  // A file that doesn't parse yet may still be being written
+  PARSE_RETRIES: 5,
+  // Editors must send the pairing code this soon after connecting
+  PAIRING_TIMEOUT_MS: 5000,
+  REPLAY: process.argv.includes('--replay')
+};
+
+const STATE_FILE = path.join(path.dirname(BRIDGE_CONFIG.INBOX), '.spec-bridge-state.json');
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const clients = new Set();
+const pendingSpecs = new Map(); // file name -> message waiting for an editor
+const settleTimers = new Map(); // file name -> timeout id
+const handledFiles = new Set(); // inbox files already sent or rejected
+const skippedFiles = new Set(); // files already in the inbox at startup (without --replay)
+let pairingCode = null;
+
+function log(message) {
+  console.log(`[SpecBridge] ${new Date().toLocaleTimeString()} ${message}`);
+}
+
+// ===== SPEC CHECKS =====
+// Just enough to tell a spec from any other JSON. The editor runs its full validation and
+// repair (prepareImportedSpec) when the spec is loaded.
+
+function getSpecProblems(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return ['not a JSON object'];
+  if (!Array.isArray(spec.layers)) return ['layers missing'];
+
+  const problems = [];
+  spec.layers.forEach((layer, layerIndex) => {
+    if (!layer || typeof layer !== 'object') {
+      problems.push(`layers[${layerIndex}] is not an object`);
+      return;
+    }
+    if (typeof layer.layerName !== 'string') problems.push(`layers[${layerIndex}].layerName missing`);
+    if (!Array.isArray(layer.animations)) problems.push(`layers[${layerIndex}].animations missing`);
+  });
+  return problems;
+}
+
+// ===== WEBSOCKET =====
+// Minimal RFC 6455 server: text frames out, close and ping handled in.
+
+// The editor opened from file:// sends Origin "null"; a local server sends localhost.
+// This only turns other sites away early: the pairing code is the real check.
+function isAllowedOrigin(origin) {
+  if (origin === undefined || origin === 'null') return true;
+  try {
+    const url = new URL(origin);
+    return url.protocol === 'http:' && (url.hostname === 'localhost' || url.hostname === '127.0.0.1');
+  } catch (err) {
+    return false;
+  }
+}
+
+function isPairingCode(code) {
+  if (typeof code !== 'string' || code.length !== pairingCode.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(code), Buffer.from(pairingCode));
+}
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function sendMessage(socket, message) {
+  socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+}
+
+// Read complete frames from the buffered data, passing text frames to onText; returns the unread remainder
+function handleClientFrames(socket, buffer, onText) {
+  while (buffer.length >= 2) {
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) break;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) break;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) break;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    buffer = buffer.subarray(offset + length);
+
+    if (opcode === 0x8) {
+      socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+      return Buffer.alloc(0);
+    }
+    if (opcode === 0x9) socket.write(encodeFrame(0xa, payload));
+    if (opcode === 0x1) onText(payload.toString('utf8'));
+  }
+  return buffer;
+}
+
+function acceptWebSocket(req, socket) {
+  if (!isAllowedOrigin(req.headers.origin)) {
+    log(`Refused a connection from ${req.headers.origin}`);
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return;
+  }
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  // Nothing is sent until the editor's first message carries the pairing code
+  const refuse = reason => {
+    log(`Refused an editor: ${reason}`);
+    sendMessage(socket, { type: 'error', error: 'pairing', message: reason });
+    socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+  };
+  const pairingTimeoutId = setTimeout(() => refuse('no pairing code sent'), BRIDGE_CONFIG.PAIRING_TIMEOUT_MS);
+
+  const handleText = text => {
+    if (clients.has(socket)) return;
+    clearTimeout(pairingTimeoutId);
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (err) {
+      message = null;
+    }
+    if (!message || message.type !== 'hello' || !isPairingCode(message.pairingCode)) {
+      refuse('wrong pairing code');
+      return;
+    }
+    clients.add(socket);
+    sendMessage(socket, { type: 'paired' });
+    log(`Editor connected (${clients.size} open)`);
+
+    // Deliver anything that arrived while no editor was open
+    deliverPendingSpecs();
+  };
+
+  let buffered = Buffer.alloc(0);
+  socket.on('data', data => {
+    buffered = handleClientFrames(socket, Buffer.concat([buffered, data]), handleText);
+  });
+  const disconnect = () => {
+    clearTimeout(pairingTimeoutId);
+    if (!clients.delete(socket)) return;
+    log(`Editor disconnected (${clients.size} open)`);
+  };
+  socket.on('close', disconnect);
+  socket.on('error', disconnect);
+}
+
+// ===== INBOX =====
+// The inbox is shared with the Figma bridge, so files stay where they are
+
+function saveState() {
+  try {
+    fs.writeFileSync(STATE_FILE, JSON.stringify({ pairingCode: pairingCode, handled: [...handledFiles] }, null, 2));
+  } catch (err) {
+    log(`Couldn't save ${STATE_FILE}: ${err.message}`);
+  }
+}
+
+function loadState() {
+  let state = {};
+  try {
+    state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  } catch (err) {
+    // No state yet
+  }
+  // Forget files that have since left the inbox
+  const inboxFiles = new Set(fs.readdirSync(BRIDGE_CONFIG.INBOX));
+  (state.handled || []).filter(fileName => inboxFiles.has(fileName)).forEach(fileName => handledFiles.add(fileName));
+  if (typeof state.pairingCode === 'string' && state.pairingCode) {
+    pairingCode = state.pairingCode;
+  } else {
+    pairingCode = crypto.randomBytes(16).toString('hex');
+    saveState();
+  }
+}
+
+function markHandled(fileName) {
+  handledFiles.add(fileName);
+  saveState();
+}
+
+function deliverPendingSpecs() {
+  if (clients.size === 0) return;
+  pendingSpecs.forEach((message, fileName) => {
+    clients.forEach(socket => sendMessage(socket, message));
+    pendingSpecs.delete(fileName);
+    markHandled(fileName);
+    log(`Sent ${fileName} to ${clients.size} editor${clients.size === 1 ? '' : 's'}`);
+  });
+}
+
+function readInboxFile(fileName, attempt = 1) {
+  const filePath = path.join(BRIDGE_CONFIG.INBOX, fileName);
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    // Removed or moved before we got to it
+    return;
+  }
+
+  let spec;
+  try {
+    spec = JSON.parse(text);
+  } catch (err) {
+    if (attempt < BRIDGE_CONFIG.PARSE_RETRIES) {
+      setTimeout(() => readInboxFile(fileName, attempt + 1), BRIDGE_CONFIG.SETTLE_MS * attempt);
+      return;
+    }
+    rejectFile(fileName, `invalid JSON (${err.message})`);
+    return;
+  }
+
+  const problems = getSpecProblems(spec);
+  if (problems.length > 0) {
+    rejectFile(fileName, problems.slice(0, 5).join(', '));
+    return;
+  }
+
+  pendingSpecs.set(fileName, {
+    type: 'spec',
+    fileName: fileName,
+    receivedAt: Date.now(),
+    spec: spec
+  });
+  log(`Received ${fileName} (${spec.layers.length} section${spec.layers.length === 1 ? '' : 's'})`);
+  if (clients.size === 0) log('No editor connected yet; it will be sent when one opens');
+  deliverPendingSpecs();
+}
+
+function rejectFile(fileName, reason) {
+  log(`Rejected ${fileName}: ${reason}`);
+  markHandled(fileName);
+}
+
+function scheduleInboxFile(fileName) {
+  if (!fileName || !fileName.toLowerCase().endsWith('.json') || pendingSpecs.has(fileName) || handledFiles.has(fileName) || skippedFiles.has(fileName)) return;
+  clearTimeout(settleTimers.get(fileName));
+  settleTimers.set(fileName, setTimeout(() => {
+    settleTimers.delete(fileName);
+    readInboxFile(fileName);
+  }, BRIDGE_CONFIG.SETTLE_MS));
+}
+
+function watchInbox() {
+  fs.mkdirSync(BRIDGE_CONFIG.INBOX, { recursive: true });
+  loadState();
+  const existingFiles = fs.readdirSync(BRIDGE_CONFIG.INBOX);
+  if (BRIDGE_CONFIG.REPLAY) {
+    // Send files written while the bridge wasn't running
+    existingFiles.forEach(scheduleInboxFile);
+  } else {
+    existingFiles.forEach(fileName => skippedFiles.add(fileName));
+  }
+  return fs.watch(BRIDGE_CONFIG.INBOX, (eventType, fileName) => scheduleInboxFile(fileName && fileName.toString()));
+}
+
+// ===== SERVER =====
+
+// Status for a quick check from a terminal; no CORS header, so other sites can't read it
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ status: 'ok', inbox: BRIDGE_CONFIG.INBOX, editors: clients.size, pending: [...pendingSpecs.keys()] }));
+});
+server.on('upgrade', acceptWebSocket);
+
+const watcher = watchInbox();
+server.listen(BRIDGE_CONFIG.PORT, '127.0.0.1', () => {
+  log(`Watching ${BRIDGE_CONFIG.INBOX}${BRIDGE_CONFIG.REPLAY ? '' : ' (files already there are not sent; use --replay to send them)'}`);
+  log(`Editors connect to ws://localhost:${BRIDGE_CONFIG.PORT}`);
+  log(`Pairing code: ${pairingCode}`);
+});
+
+function shutdown() {
+  watcher.close();
+  clients.forEach(socket => socket.end(encodeFrame(0x8, Buffer.alloc(0))));
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 1000).unref();
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);